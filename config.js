@@ -0,0 +1,208 @@
+/* config.js - per-deployment settings, loaded before script.js */
+
+window.JEWELS_CONFIG = {
+  // Store identity. Each franchise deployment only needs its own copy of this block and its logos.
+  branding: {
+    storeName: "Aurum Atelier",
+    fileBase: "Aurum",
+    logo: "logo.png",
+    watermark: "logo_watermark.png",
+    // {name} {sku} {price} {purity} {weight} {category} {store}; " · " parts with no value are dropped
+    caption: "{name}",
+    captionFont: "bold 24px Montserrat, sans-serif",
+    captionColor: "#ffffff",
+    watermarkPosition: "bottom-right",
+    watermarkOpacity: 0.9,
+    watermarkScale: 0.25,
+    // Leave unset to use the share.title / share.text strings of the shopper's language
+    // shareTitle: "My {store} Look",
+    // shareText: "Check out {name}, I tried it on virtually at {store}!",
+    // Public address try-on links open; set this when the kiosk itself runs on a local URL
+    // shareUrl: "https://tryon.example.com/",
+    colors: {
+      accent: "#d4af37",
+      background: "#000000"
+    }
+  },
+
+  i18n: {
+    defaultLanguage: "en",
+    // Shown in the language picker; each needs locales/<code>.json
+    languages: ["en", "hi", "ta", "te", "kn", "ml"]
+  },
+
+  catalog: {
+    // drive | manifest | local | rest  (can also be overridden with ?catalog=<name>)
+    provider: "manifest",
+
+    // Google Drive: set provider to "drive" and apiKey in the deployed copy of this file
+    // only, never in the repository. Use a key restricted to the Drive API and to the
+    // store's domain (Google Cloud console > Credentials > HTTP referrers); it is readable
+    // by every visitor. For public sites prefer "manifest" (export one from the admin
+    // panel) or "rest" with the key kept server-side.
+    drive: {
+      apiKey: "",
+      folders: {
+        diamond_earrings: "1N0jndAEIThUuuNAJpvuRMGsisIaXCgMZ",
+        diamond_necklaces: "1JGV8T03YdzjfW0Dyt9aMPybH8V9-gEhw",
+        gold_earrings: "1GMZpcv4A1Gy2xiaIC1XPG_IOAt9NrDpi",
+        gold_necklaces: "1QIvX-PrSVrK9gz-TEksqiKlXPGv2hsS5",
+        // Folder IDs for the face / hand categories below, once they have been created in Drive
+        gold_nosepins: "",
+        diamond_nosepins: "",
+        gold_tikkas: "",
+        diamond_tikkas: "",
+        gold_bangles: "",
+        diamond_bangles: "",
+        gold_bracelets: "",
+        diamond_bracelets: "",
+        gold_rings: "",
+        diamond_rings: ""
+      }
+    },
+
+    // Currency used to show item prices in the carousel
+    currency: "INR",
+
+    // Item details (any provider): sku, displayName, metal, purity, weight (g), price, stones, tags.
+    // Drive reads them from each file's custom properties.
+
+    // Static JSON file next to index.html: { "categories": { "gold_earrings": [ { id, name, src, placement } ] } }
+    // placement (optional): { anchor: [0.5, 0], widthMm: 30, offsetMm: 0, rotation: 0 }
+    manifest: {
+      url: "catalog.json"   // or ?manifest=<url>
+    },
+
+    // Generic REST endpoint, {category} is substituted. Response: [ ... ] or { items: [ ... ] }
+    // setsEndpoint (optional) returns [ ... ] or { sets: [ ... ] }
+    rest: {
+      endpoint: "",
+      setsEndpoint: "",
+      headers: {}
+    },
+
+    // Complete sets for providers that can't describe them (Drive, local folder).
+    // Items are "<category>/<item id>" and may mix metals:
+    // { id: "bridal-01", name: "Bridal Set", items: ["gold_necklaces/<id>", "diamond_earrings/<id>"] }
+    sets: []
+  },
+
+  // Overlay jitter filter (One Euro). Lower minCutoff = steadier, higher beta = quicker on movement.
+  smoothing: {
+    enabled: true,
+    minCutoff: 1.2,
+    beta: 0.015,
+    holdFrames: 8
+  },
+
+  // Hand gestures: swipe = next/previous, open palm = snapshot countdown,
+  // pinch = earrings/necklaces, thumbs up = favourite, fist = start/stop Try All
+  gestures: {
+    showIndicator: true,
+    swipeThreshold: 0.04,
+    swipeCooldown: 800,
+    holdMs: 700,
+    poseCooldown: 2500,
+    pinchRatio: 0.35,
+    snapshotCountdown: 3
+  },
+
+  // Try All defaults (staff can change them per session in the setup panel)
+  tryAll: {
+    dwellSeconds: 3,
+    countdown: true,
+    requireStableFace: true,
+    skipCaptured: true,
+    order: "listed"
+  },
+
+  // Full-resolution images load for the selected piece and this many neighbours each side.
+  // The Service Worker (sw.js) keeps the app and everything already seen available offline.
+  offline: {
+    enabled: true,
+    prefetchNeighbours: 2
+  },
+
+  // Product photos on a plain backdrop are keyed out and cropped in the browser before use.
+  // Individual items can opt out with "cleanup": false in the catalog.
+  imageCleanup: {
+    enabled: true,
+    tolerance: 38,
+    feather: 1.8,
+    maxSize: 1200
+  },
+
+  // Gallery exports: ZIP (with manifest.json), lookbook PDF and contact sheet.
+  // title and fileBase default to "<storeName> Lookbook" and "<fileBase>_Collection".
+  export: {
+    sheetColumns: 3
+  },
+
+  // Matches each piece to the scene light sampled from the skin around it, adds a contact
+  // shadow and shimmer on diamonds. strength: 0 = studio look, 1 = fully match the room.
+  lighting: {
+    enabled: true,
+    strength: 0.6,
+    relight: true,
+    shadow: true,
+    shimmer: true
+  },
+
+  // People tracked at once (1-3). Each wears their own earrings / necklace / nose pin / tikka.
+  faces: {
+    max: 3
+  },
+
+  // Where face and hand landmarks come from (also ?tracking=live|photo|replay)
+  tracking: {
+    source: "live",
+    // To run without the CDN, copy node_modules/@mediapipe/face_mesh and .../hands here
+    // and set e.g. "models/mediapipe"
+    modelPath: "https://cdn.jsdelivr.net/npm/@mediapipe",
+    // photo: still image URL for the "photo" source (or ?photo=)
+    // replay: landmarks JSON saved by captureTrackingSession() (or ?landmarks=&video=)
+    replay: {
+      landmarks: "",
+      loop: true
+    }
+  },
+
+  // Shopper analytics: dwell per piece, swipes, snapshots, shares and downloads.
+  // Events wait in IndexedDB and are POSTed as { store, events } to the endpoint every
+  // flushSeconds while online. sink: "endpoint", "local" (window.JEWELS_ANALYTICS, for
+  // testing) or "none"; also ?analytics=. The admin panel's Report works with any sink.
+  analytics: {
+    enabled: true,
+    sink: "endpoint",
+    endpoint: "",
+    storeId: "",
+    // A piece counts as tried once it has been worn this long
+    minDwellMs: 1500,
+    flushSeconds: 30
+  },
+
+  // Keyboard and presenter-remote keys (KeyboardEvent.key; letters in lower case).
+  // Most Bluetooth remotes send PageUp / PageDown, F5 on the play button and "." or "b"
+  // on the blank-screen button. Escape always closes the open dialog.
+  keys: {
+    enabled: true,
+    prev: ["ArrowLeft", "ArrowUp", "PageUp"],
+    next: ["ArrowRight", "ArrowDown", "PageDown"],
+    snapshot: ["s", ".", "b"],
+    // Starts Try All straight away with the last settings, or stops it
+    tryAll: ["t", "F5"]
+  },
+
+  // Store admin panel (tap the logo five times, or open with ?admin). Leave pin empty to disable.
+  // The PIN keeps shoppers out of the panel; it is visible to anyone who reads this file.
+  admin: {
+    pin: ""
+  },
+
+  // Try-on clips (MediaRecorder): MP4 where the browser supports it, otherwise WebM
+  recording: {
+    seconds: 10,
+    minSeconds: 5,
+    maxSeconds: 15
+  }
+};
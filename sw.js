@@ -0,0 +1,105 @@
+/* sw.js - offline cache for the app shell, catalog listings and jewelry images */
+
+const SHELL_CACHE = 'jewels-shell-v1';
+const CATALOG_CACHE = 'jewels-catalog-v1';
+const IMAGE_CACHE = 'jewels-images-v1';
+const LIBRARY_CACHE = 'jewels-libs-v1';
+// Filled by script.js with background-removed product images; only kept here
+const CLEANED_CACHE = 'jewels-cleaned-v1';
+
+// Oldest images are evicted past this many entries
+const MAX_IMAGES = 400;
+
+// config.js sets window.JEWELS_CONFIG; read it here for the languages to precache
+self.window = self;
+try {
+  importScripts('config.js');
+} catch (err) {
+  console.warn("sw.js: config.js unavailable, precaching English only", err);
+}
+const LANGUAGES = new Set(['en', ...(((self.JEWELS_CONFIG || {}).i18n || {}).languages || [])]);
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'config.js',
+  ...Array.from(LANGUAGES, lang => `locales/${lang}.json`),
+  'logo.png',
+  'logo_watermark.png'
+];
+
+// CDN scripts, MediaPipe models and fonts never change for a given URL
+const LIBRARY_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Self-hosted MediaPipe models are just as immutable as the CDN copies
+const MODEL_FILES = /\.(wasm|tflite|binarypb|data)$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, CATALOG_CACHE, IMAGE_CACHE, LIBRARY_CACHE, CLEANED_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+  const url = new URL(request.url);
+
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGES));
+  } else if (LIBRARY_HOSTS.includes(url.hostname) || MODEL_FILES.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, LIBRARY_CACHE));
+  } else if (url.origin === self.location.origin && !url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else {
+    // Drive listings, catalog.json and REST catalog calls: fresh when online, last copy when not
+    event.respondWith(networkFirst(request, CATALOG_CACHE));
+  }
+});
+
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    if (maxEntries) trimCache(cache, maxEntries);
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const options = { ignoreSearch: request.mode === 'navigate' };
+    // Precached shell files (locales/en.json) may be asked for by a route that uses another cache
+    const cached = await cache.match(request, options) || await caches.match(request, options);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - maxEntries; i++) {
+    await cache.delete(keys[i]);
+  }
+}